@@ -0,0 +1,194 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, stripe, start, stop, reset, request, webhook } = require('./support/server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const seedEvent = async ({ club = {}, event = {} } = {}) => {
+  const clubId = new ObjectId();
+  await db.collection('clubs').insertOne({ _id: clubId, clubName: 'Chess Club', status: 'approved', ...club });
+  const eventId = new ObjectId();
+  await db.collection('events').insertOne({
+    _id: eventId,
+    clubId,
+    clubName: 'Chess Club',
+    title: 'Spring Open',
+    status: 'upcoming',
+    eventType: 'paid',
+    price: 25,
+    maxAttendees: 10,
+    attendees: 0,
+    dateTime: new Date(Date.now() + 30 * DAY).toISOString(),
+    startsAt: new Date(Date.now() + 30 * DAY),
+    ...event,
+  });
+  return { clubId, eventId };
+};
+
+const checkout = (eventId, email, body = {}) =>
+  request('POST', '/create-event-payment', { as: email, body: { eventId: eventId.toString(), email, ...body } });
+
+const paySession = sessionId => webhook('checkout.session.completed', stripe.pay(sessionId));
+
+const sessionIdOf = url => url.split('/').pop();
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('paid checkout holds a seat and the webhook turns it into a registration with a ledger row', async () => {
+  const { eventId } = await seedEvent();
+
+  const res = await checkout(eventId, 'ana@example.com');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.price.amount, 25);
+
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.equal(created.params.line_items[0].price_data.unit_amount, 2500);
+  assert.equal(created.params.payment_intent_data, undefined, 'no Connect split without a payout account');
+  const hold = await db.collection('seatHolds').findOne({ eventId });
+  assert.equal(hold.status, 'held');
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).seatsTaken, 1);
+
+  const sessionId = sessionIdOf(res.body.url);
+  assert.equal((await paySession(sessionId)).status, 200);
+
+  const registration = await db.collection('eventRegisters').findOne({ eventId, email: 'ana@example.com' });
+  assert.equal(registration.paymentStatus, 'paid');
+  assert.equal(registration.amount, 25);
+  assert.equal(registration.sessionId, sessionId);
+  assert.equal((await db.collection('seatHolds').findOne({ _id: hold._id })).status, 'confirmed');
+
+  const event = await db.collection('events').findOne({ _id: eventId });
+  assert.equal(event.attendees, 1);
+  assert.equal(event.seatsTaken, 1, 'the held seat becomes the registration, it is not taken twice');
+
+  const payments = await db.collection('payments').find({ sessionId }).toArray();
+  assert.equal(payments.length, 1);
+  assert.equal(payments[0].type, 'event_registration');
+  assert.equal(payments[0].amount, 25);
+  assert.equal(payments[0].platformFee, 0);
+  assert.equal(payments[0].transactionid, registration.transactionId);
+
+  const receipts = await db.collection('emailOutbox').find({ template: 'payment_receipt' }).toArray();
+  assert.equal(receipts.length, 1);
+});
+
+test('a redelivered or repeated completion does not register or record twice', async () => {
+  const { eventId } = await seedEvent();
+  const res = await checkout(eventId, 'ana@example.com');
+  const session = stripe.pay(sessionIdOf(res.body.url));
+
+  await webhook('checkout.session.completed', session, 'evt_same');
+  const again = await webhook('checkout.session.completed', session, 'evt_same');
+  assert.equal(again.body.duplicate, true);
+  await webhook('checkout.session.async_payment_succeeded', session);
+
+  assert.equal(await db.collection('eventRegisters').countDocuments({ eventId }), 1);
+  assert.equal(await db.collection('payments').countDocuments({ sessionId: session.id }), 1);
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).attendees, 1);
+});
+
+test('clicking pay twice reuses the open checkout instead of taking a second seat', async () => {
+  const { eventId } = await seedEvent();
+
+  const first = await checkout(eventId, 'ana@example.com');
+  const second = await checkout(eventId, 'ana@example.com');
+
+  assert.equal(second.status, 200);
+  assert.equal(second.body.url, first.body.url);
+  assert.equal(stripe.callsTo('checkout.sessions.create').length, 1);
+  assert.equal(await db.collection('seatHolds').countDocuments({ eventId, status: 'held' }), 1);
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).seatsTaken, 1);
+});
+
+test('only one open hold per user and event can exist', async () => {
+  const { eventId } = await seedEvent();
+  const [first, second] = await Promise.all([
+    checkout(eventId, 'ana@example.com'),
+    checkout(eventId, 'ana@example.com'),
+  ]);
+
+  // whichever way the two requests interleave, the user ends up with one checkout
+  const urls = [first, second].filter(res => res.status === 200).map(res => res.body.url);
+  assert.equal(new Set(urls).size, 1);
+  assert.equal(await db.collection('seatHolds').countDocuments({ eventId, status: 'held' }), 1);
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).seatsTaken, 1);
+});
+
+test('an expired checkout gives the seat back', async () => {
+  const { eventId } = await seedEvent();
+  const res = await checkout(eventId, 'ana@example.com');
+  const session = stripe.get(sessionIdOf(res.body.url));
+
+  await webhook('checkout.session.expired', { ...session, status: 'expired' });
+
+  assert.equal((await db.collection('seatHolds').findOne({ eventId })).status, 'expired');
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).seatsTaken, 0);
+});
+
+test('a payment that lands after its seat went to someone else is refunded in full', async () => {
+  const { eventId } = await seedEvent({ event: { maxAttendees: 1 } });
+
+  const late = await checkout(eventId, 'ana@example.com');
+  const lateSession = stripe.get(sessionIdOf(late.body.url));
+  // ana's hold runs out, bob takes and pays for the only seat
+  await db.collection('seatHolds').updateOne({ eventId, email: 'ana@example.com' }, { $set: { expiresAt: new Date(0) } });
+  const bob = await checkout(eventId, 'bob@example.com');
+  assert.equal(bob.status, 200);
+  await paySession(sessionIdOf(bob.body.url));
+
+  // ana's payment still goes through at Stripe
+  const res = await paySession(lateSession.id);
+  assert.equal(res.status, 200);
+
+  assert.equal(await db.collection('eventRegisters').countDocuments({ eventId }), 1);
+  assert.equal(await db.collection('eventRegisters').countDocuments({ eventId, email: 'ana@example.com' }), 0);
+  const [refund] = stripe.callsTo('refunds.create');
+  assert.equal(refund.params.payment_intent, stripe.get(lateSession.id).payment_intent);
+  assert.equal(refund.options.idempotencyKey, `event-full-refund-${lateSession.id}`);
+
+  const refundRow = await db.collection('payments').findOne({ type: 'event_refund' });
+  assert.equal(refundRow.amount, -25);
+  assert.equal(refundRow.reason, 'event_full');
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).attendees, 1);
+});
+
+test('Connect clubs get a destination charge and the ledger fee matches the application fee', async () => {
+  const { eventId } = await seedEvent({
+    club: { stripeAccountId: 'acct_club', stripeChargesEnabled: true, platformFeePercent: 12.5 },
+    event: { price: 25 },
+  });
+
+  const res = await checkout(eventId, 'ana@example.com');
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.deepEqual(created.params.payment_intent_data, {
+    application_fee_amount: 313,
+    transfer_data: { destination: 'acct_club' },
+  });
+  assert.equal(created.params.metadata.connectedAccountId, 'acct_club');
+  assert.equal(created.params.metadata.platformFeePercent, '12.5');
+
+  await paySession(sessionIdOf(res.body.url));
+  const payment = await db.collection('payments').findOne({ type: 'event_registration' });
+  assert.equal(payment.platformFee, 3.13);
+  assert.equal(payment.connectedAccountId, 'acct_club');
+});
+
+test('the platform default fee applies when the club has no fee of its own', async () => {
+  const { eventId } = await seedEvent({ club: { stripeAccountId: 'acct_club', stripeChargesEnabled: true } });
+
+  await checkout(eventId, 'ana@example.com');
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.equal(created.params.payment_intent_data.application_fee_amount, 250);
+});
+
+test('a club whose Stripe account cannot take charges yet is paid to the platform', async () => {
+  const { eventId } = await seedEvent({ club: { stripeAccountId: 'acct_club', stripeChargesEnabled: false } });
+
+  await checkout(eventId, 'ana@example.com');
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.equal(created.params.payment_intent_data, undefined);
+  assert.equal(created.params.metadata.connectedAccountId, undefined);
+});
@@ -0,0 +1,116 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, start, stop, reset, request } = require('./support/server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let clubId;
+
+const inDays = days => new Date(Date.now() + days * DAY).toISOString();
+
+before(start);
+after(stop);
+beforeEach(async () => {
+  reset();
+  clubId = new ObjectId();
+  await db.collection('clubs').insertOne({
+    _id: clubId,
+    clubName: 'Chess Club',
+    status: 'approved',
+    createremail: 'owner@example.com',
+  });
+});
+
+test('a new event starts with no seats taken, whatever the client sends', async () => {
+  const res = await request('POST', '/events', {
+    as: 'owner@example.com',
+    body: {
+      clubId: clubId.toString(),
+      clubName: 'Chess Club',
+      title: 'Spring Open',
+      dateTime: inDays(30),
+      maxAttendees: 10,
+      attendees: 10,
+      seatsTaken: 10,
+      sequence: 7,
+      startsAt: inDays(-1),
+      createrEmail: 'someone@example.com',
+    },
+  });
+  assert.equal(res.status, 200);
+
+  const event = await db.collection('events').findOne({ _id: new ObjectId(res.body.insertedId) });
+  assert.equal(event.attendees, 0);
+  assert.equal(event.seatsTaken, 0);
+  assert.equal(event.sequence, undefined);
+  assert.equal(event.createrEmail, 'owner@example.com');
+  assert.equal(event.startsAt.getTime(), new Date(event.dateTime).getTime());
+  assert.equal(event.maxAttendees, 10);
+});
+
+test('registration refuses events that are not open', async () => {
+  const eventId = new ObjectId();
+  await db.collection('events').insertOne({
+    _id: eventId, clubId, title: 'Spring Open', status: 'draft', eventType: 'free', dateTime: inDays(30),
+  });
+  const register = path =>
+    request('POST', path, { as: 'ana@example.com', body: { eventId: eventId.toString() } });
+
+  assert.equal((await register('/event-register-free')).status, 400);
+  assert.equal((await register('/event-register')).status, 404, 'the unchecked legacy route is gone');
+  assert.equal(await db.collection('eventRegisters').countDocuments(), 0);
+});
+
+test('a series only lists draft and cancelled occurrences to the club managers', async () => {
+  const seriesId = new ObjectId();
+  await db.collection('eventSeries').insertOne({ _id: seriesId, clubId, title: 'Weekly blitz', status: 'active' });
+  await db.collection('events').insertMany(['upcoming', 'draft', 'cancelled'].map((status, occurrenceIndex) => ({
+    clubId, seriesId, occurrenceIndex, status, title: 'Weekly blitz', dateTime: inDays(7 * (occurrenceIndex + 1)),
+  })));
+
+  const statusesFor = async (as) => {
+    const res = await request('GET', `/event-series/${seriesId}`, { as });
+    assert.equal(res.status, 200);
+    return res.body.occurrences.map(occurrence => occurrence.status);
+  };
+  assert.deepEqual(await statusesFor(undefined), ['upcoming']);
+  assert.deepEqual(await statusesFor('ana@example.com'), ['upcoming']);
+  assert.deepEqual(await statusesFor('owner@example.com'), ['upcoming', 'draft', 'cancelled']);
+});
+
+test('clearing maxAttendees removes the limit and lets the waitlist in', async () => {
+  const eventId = new ObjectId();
+  await db.collection('events').insertOne({
+    _id: eventId, clubId, title: 'Spring Open', status: 'upcoming', eventType: 'free',
+    maxAttendees: 1, attendees: 1, seatsTaken: 1, dateTime: inDays(30),
+  });
+  await db.collection('eventWaitlist').insertOne({ eventId, email: 'bob@example.com', status: 'waiting', joinedAt: new Date() });
+
+  const res = await request('PATCH', `/events/${eventId}`, { as: 'owner@example.com', body: { maxAttendees: '' } });
+  assert.equal(res.status, 200);
+
+  const event = await db.collection('events').findOne({ _id: eventId });
+  assert.equal(event.maxAttendees, null);
+  assert.equal(event.attendees, 2);
+  assert.equal(await db.collection('eventRegisters').countDocuments({ eventId, email: 'bob@example.com' }), 1);
+});
+
+test('prices of a paid event are locked once someone registered, member price included', async () => {
+  const eventId = new ObjectId();
+  await db.collection('events').insertOne({
+    _id: eventId, clubId, title: 'Spring Open', status: 'upcoming', eventType: 'paid',
+    price: 25, memberPrice: 15, maxAttendees: 10, attendees: 1, seatsTaken: 1, dateTime: inDays(30),
+  });
+  const patch = body => request('PATCH', `/events/${eventId}`, { as: 'owner@example.com', body });
+
+  const res = await patch({ memberPrice: 5 });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, 'memberPrice of a paid event cannot change after people have registered');
+  assert.equal((await patch({ price: 30 })).status, 400);
+  assert.equal((await patch({ memberPrice: 15, title: 'Spring Open II' })).status, 200, 'unchanged prices pass');
+
+  const event = await db.collection('events').findOne({ _id: eventId });
+  assert.equal(event.memberPrice, 15);
+  assert.equal(event.price, 25);
+});
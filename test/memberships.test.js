@@ -0,0 +1,152 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, stripe, start, stop, reset, request, webhook } = require('./support/server');
+
+const seedClub = async (fields = {}) => {
+  const clubId = new ObjectId();
+  await db.collection('clubs').insertOne({
+    _id: clubId,
+    clubName: 'Chess Club',
+    status: 'approved',
+    membershipFee: 30,
+    membershipTerm: 'one_time',
+    membernumber: 1,
+    ...fields,
+  });
+  return clubId;
+};
+
+const checkout = (clubId, email) =>
+  request('POST', '/create-club-checkout-session', { as: email, body: { _id: clubId.toString() } });
+
+const sessionIdOf = url => url.split('/').pop();
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('a one-time membership is split with the club and fulfilled by the webhook', async () => {
+  const clubId = await seedClub({ stripeAccountId: 'acct_club', stripeChargesEnabled: true });
+
+  const res = await checkout(clubId, 'ana@example.com');
+  assert.equal(res.status, 200);
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.equal(created.params.mode, 'payment');
+  assert.deepEqual(created.params.payment_intent_data, {
+    application_fee_amount: 300,
+    transfer_data: { destination: 'acct_club' },
+  });
+  const pending = await db.collection('payments').findOne({ userid: clubId.toString() });
+  assert.equal(pending.paymentstatus, 'pending');
+
+  const session = stripe.pay(sessionIdOf(res.body.url));
+  assert.equal((await webhook('checkout.session.completed', session)).status, 200);
+
+  const member = await db.collection('clubMembers').findOne({ clubId, userEmail: 'ana@example.com' });
+  assert.equal(member.paymentStatus, 'paid');
+  assert.equal(member.transactionId, session.payment_intent);
+  assert.equal(member.amount, 30);
+
+  const payments = await db.collection('payments').find({ userid: clubId.toString() }).toArray();
+  assert.equal(payments.length, 1, 'the pending row is completed, not duplicated');
+  assert.equal(payments[0].paymentstatus, 'paid');
+  assert.equal(payments[0].platformFee, 3);
+  assert.equal(payments[0].connectedAccountId, 'acct_club');
+});
+
+test('a monthly membership carries the split on the subscription so renewals keep it', async () => {
+  const clubId = await seedClub({
+    membershipTerm: 'monthly',
+    stripeAccountId: 'acct_club',
+    stripeChargesEnabled: true,
+    platformFeePercent: 5,
+  });
+
+  await checkout(clubId, 'ana@example.com');
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.equal(created.params.mode, 'subscription');
+  assert.equal(created.params.payment_intent_data, undefined);
+  assert.equal(created.params.subscription_data.application_fee_percent, 5);
+  assert.deepEqual(created.params.subscription_data.transfer_data, { destination: 'acct_club' });
+  assert.equal(created.params.subscription_data.metadata.type, 'club_membership');
+});
+
+test('a membership paid for after a ban is refunded instead of fulfilled', async () => {
+  const clubId = await seedClub();
+  const res = await checkout(clubId, 'ana@example.com');
+  await db.collection('clubBans').insertOne({ clubId, userEmail: 'ana@example.com', active: true, reason: 'spam' });
+
+  const session = stripe.pay(sessionIdOf(res.body.url));
+  assert.equal((await webhook('checkout.session.completed', session)).status, 200);
+
+  assert.equal(await db.collection('clubMembers').countDocuments({ clubId, userEmail: 'ana@example.com' }), 0);
+  const [refund] = stripe.callsTo('refunds.create');
+  assert.equal(refund.params.payment_intent, session.payment_intent);
+  assert.equal(refund.options.idempotencyKey, `banned-refund-${session.id}`);
+  const payment = await db.collection('payments').findOne({ sessionId: session.id });
+  assert.equal(payment.paymentstatus, 'refunded');
+  assert.equal(payment.refundedAmount, 30);
+});
+
+test('the club creation fee marks the club paid once', async () => {
+  const clubId = await seedClub({ status: 'pending', paymentStatus: 'pending', createremail: 'ana@example.com' });
+  const session = {
+    id: 'cs_creation',
+    payment_status: 'paid',
+    payment_intent: 'pi_creation',
+    amount_total: 5000,
+    currency: 'usd',
+    customer_details: { email: 'ana@example.com' },
+    metadata: { type: 'club_creation', clubId: clubId.toString(), clubName: 'Chess Club' },
+  };
+
+  await webhook('checkout.session.completed', session);
+  const { trackingid } = await db.collection('clubs').findOne({ _id: clubId });
+  await webhook('checkout.session.completed', session);
+
+  const club = await db.collection('clubs').findOne({ _id: clubId });
+  assert.equal(club.paymentStatus, 'paid');
+  assert.equal(club.trackingid, trackingid, 'a repeated delivery keeps the first tracking id');
+  const payments = await db.collection('payments').find({ sessionId: 'cs_creation' }).toArray();
+  assert.equal(payments.length, 1);
+  assert.equal(payments[0].amount, 50);
+});
+
+test('sessions that are not ours are acknowledged and ignored', async () => {
+  const res = await webhook('checkout.session.completed', {
+    id: 'cs_payment_link',
+    payment_status: 'paid',
+    payment_intent: 'pi_other',
+    amount_total: 1000,
+    metadata: {},
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(await db.collection('payments').countDocuments(), 0);
+});
+
+test('a webhook with a bad signature is rejected', async () => {
+  const res = await request('POST', '/stripe/webhook', {
+    body: { id: 'evt_forged', type: 'checkout.session.completed', data: { object: {} } },
+    headers: { 'stripe-signature': 'fake:wrong' },
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(await db.collection('stripeEvents').countDocuments(), 0);
+});
+
+test('the club creation checkout charges the fee stored on the club, and only its creator', async () => {
+  const clubId = await seedClub({ status: 'pending', paymentStatus: 'pending', createremail: 'ana@example.com' });
+  const body = { _id: clubId.toString(), membershipFee: 0.01, createremail: 'bob@example.com' };
+
+  assert.equal((await request('POST', '/create-checkout-session', { body })).status, 401);
+  assert.equal((await request('POST', '/create-checkout-session', { as: 'bob@example.com', body })).status, 403);
+
+  const res = await request('POST', '/create-checkout-session', { as: 'ana@example.com', body });
+  assert.equal(res.status, 200);
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.equal(created.params.line_items[0].price_data.unit_amount, 3000);
+  assert.equal(created.params.customer_email, 'ana@example.com');
+  assert.equal(created.params.metadata.clubId, clubId.toString());
+});
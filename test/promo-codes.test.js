@@ -0,0 +1,190 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, stripe, start, stop, reset, request, webhook } = require('./support/server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let clubId;
+let promoId;
+
+const seedEvent = async (fields = {}) => {
+  const eventId = new ObjectId();
+  await db.collection('events').insertOne({
+    _id: eventId,
+    clubId,
+    clubName: 'Chess Club',
+    title: 'Spring Open',
+    status: 'upcoming',
+    eventType: 'paid',
+    price: 25,
+    maxAttendees: 10,
+    attendees: 0,
+    dateTime: new Date(Date.now() + 30 * DAY).toISOString(),
+    startsAt: new Date(Date.now() + 30 * DAY),
+    ...fields,
+  });
+  return eventId;
+};
+
+const seedPromo = async (fields = {}) => {
+  const { insertedId } = await db.collection('promoCodes').insertOne({
+    clubId,
+    code: 'SPRING20',
+    discountType: 'percent',
+    discountValue: 20,
+    appliesTo: 'all',
+    active: true,
+    redemptionCount: 0,
+    maxRedemptions: null,
+    maxPerUser: null,
+    createdAt: new Date(),
+    ...fields,
+  });
+  promoId = insertedId;
+};
+
+const checkout = (eventId, email, promoCode = 'spring20') =>
+  request('POST', '/create-event-payment', { as: email, body: { eventId: eventId.toString(), email, promoCode } });
+
+const promo = () => db.collection('promoCodes').findOne({ _id: promoId });
+const sessionIdOf = url => url.split('/').pop();
+
+before(start);
+after(stop);
+beforeEach(async () => {
+  reset();
+  clubId = new ObjectId();
+  await db.collection('clubs').insertOne({
+    _id: clubId, clubName: 'Chess Club', status: 'approved', createremail: 'owner@example.com',
+  });
+});
+
+test('a promo code discounts the checkout and reserves one use until it is paid', async () => {
+  await seedPromo();
+  const eventId = await seedEvent();
+
+  const res = await checkout(eventId, 'ana@example.com');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.price, { listPrice: 25, promoCode: 'SPRING20', promoDiscount: 5, amount: 20, currency: 'usd' });
+  const [created] = stripe.callsTo('checkout.sessions.create');
+  assert.equal(created.params.line_items[0].price_data.unit_amount, 2000);
+
+  const redemption = await db.collection('promoRedemptions').findOne({ promoCodeId: promoId });
+  assert.equal(redemption.status, 'pending');
+  assert.equal((await promo()).redemptionCount, 1);
+
+  await webhook('checkout.session.completed', stripe.pay(sessionIdOf(res.body.url)));
+
+  assert.equal((await db.collection('promoRedemptions').findOne({ _id: redemption._id })).status, 'redeemed');
+  assert.equal((await promo()).redemptionCount, 1, 'paying does not count the use a second time');
+  const payment = await db.collection('payments').findOne({ type: 'event_registration' });
+  assert.equal(payment.amount, 20);
+  assert.equal(payment.listPrice, 25);
+  assert.equal(payment.promoCode, 'SPRING20');
+  assert.equal(payment.promoDiscount, 5);
+});
+
+test('an abandoned checkout gives the use and the user slot back', async () => {
+  await seedPromo({ maxRedemptions: 1, maxPerUser: 1 });
+  const eventId = await seedEvent();
+  const res = await checkout(eventId, 'ana@example.com');
+  const session = stripe.get(sessionIdOf(res.body.url));
+
+  await webhook('checkout.session.expired', { ...session, status: 'expired' });
+
+  const redemption = await db.collection('promoRedemptions').findOne({ promoCodeId: promoId });
+  assert.equal(redemption.status, 'released');
+  assert.equal(redemption.slot, undefined);
+  assert.equal((await promo()).redemptionCount, 0);
+
+  // both limits are free again
+  const again = await checkout(eventId, 'ana@example.com');
+  assert.equal(again.status, 200);
+  assert.equal((await promo()).redemptionCount, 1);
+});
+
+test('paying again with the same code reuses the checkout instead of counting a second use', async () => {
+  await seedPromo({ maxPerUser: 1 });
+  const eventId = await seedEvent();
+
+  const first = await checkout(eventId, 'ana@example.com');
+  const second = await checkout(eventId, 'ana@example.com');
+
+  assert.equal(second.status, 200);
+  assert.equal(second.body.url, first.body.url);
+  assert.equal((await promo()).redemptionCount, 1);
+  assert.equal(await db.collection('promoRedemptions').countDocuments({ status: 'pending' }), 1);
+});
+
+test('switching codes expires the old checkout and releases its use', async () => {
+  await seedPromo();
+  const eventId = await seedEvent();
+
+  const first = await checkout(eventId, 'ana@example.com');
+  const second = await checkout(eventId, 'ana@example.com', '');
+
+  assert.equal(second.status, 200);
+  assert.notEqual(second.body.url, first.body.url);
+  assert.equal(second.body.price.amount, 25);
+  assert.deepEqual(stripe.callsTo('checkout.sessions.expire').map(call => call.params), [sessionIdOf(first.body.url)]);
+  assert.equal((await promo()).redemptionCount, 0);
+  assert.equal(await db.collection('seatHolds').countDocuments({ eventId, status: 'held' }), 1);
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).seatsTaken, 1);
+});
+
+test('the last use of a code goes to one buyer only', async () => {
+  await seedPromo({ maxRedemptions: 1 });
+  const eventId = await seedEvent();
+
+  const ana = await checkout(eventId, 'ana@example.com');
+  const bob = await checkout(eventId, 'bob@example.com');
+
+  assert.equal(ana.status, 200);
+  assert.equal(bob.status, 400);
+  assert.equal(bob.body.error, 'This promo code has been used up');
+  assert.equal((await promo()).redemptionCount, 1);
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).seatsTaken, 1, 'bob took no seat');
+});
+
+test('maxPerUser holds when the same user checks out two events at once', async () => {
+  await seedPromo({ maxPerUser: 1 });
+  const [first, second] = await Promise.all([seedEvent(), seedEvent({ title: 'Summer Open' })]);
+
+  const results = await Promise.all([
+    checkout(first, 'ana@example.com'),
+    checkout(second, 'ana@example.com'),
+  ]);
+
+  assert.deepEqual(results.map(res => res.status).sort(), [200, 400]);
+  assert.equal(results.find(res => res.status === 400).body.error, 'You have already used this promo code');
+  assert.equal((await promo()).redemptionCount, 1);
+  assert.equal(await db.collection('promoRedemptions').countDocuments({ email: 'ana@example.com' }), 1);
+  assert.equal(await db.collection('seatHolds').countDocuments({ status: 'held' }), 1);
+});
+
+test('a fully discounted ticket registers without a checkout and redeems the code', async () => {
+  await seedPromo({ discountValue: 100 });
+  const eventId = await seedEvent();
+
+  const res = await checkout(eventId, 'ana@example.com');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.registered, true);
+  assert.equal(stripe.callsTo('checkout.sessions.create').length, 0);
+  assert.equal((await db.collection('promoRedemptions').findOne({ promoCodeId: promoId })).status, 'redeemed');
+  assert.equal((await promo()).redemptionCount, 1);
+});
+
+test('active must be a real boolean when a code is switched off', async () => {
+  await seedPromo();
+  const patch = body =>
+    request('PATCH', `/clubs/${clubId}/promo-codes/${promoId}`, { as: 'owner@example.com', body });
+
+  const res = await patch({ active: 'false' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, 'active must be true or false');
+  assert.equal((await promo()).active, true);
+
+  assert.equal((await patch({ active: false })).status, 200);
+  assert.equal((await promo()).active, false);
+});
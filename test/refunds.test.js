@@ -0,0 +1,186 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, stripe, start, stop, reset, request, webhook } = require('./support/server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// a paid registration for a club on Stripe Connect
+const seedRegistration = async ({ event = {}, registration = {} } = {}) => {
+  const clubId = new ObjectId();
+  await db.collection('clubs').insertOne({ _id: clubId, clubName: 'Chess Club', status: 'approved' });
+  const eventId = new ObjectId();
+  await db.collection('events').insertOne({
+    _id: eventId,
+    clubId,
+    clubName: 'Chess Club',
+    title: 'Spring Open',
+    status: 'upcoming',
+    price: 40,
+    maxAttendees: 10,
+    attendees: 1,
+    seatsTaken: 1,
+    dateTime: new Date(Date.now() + 30 * DAY).toISOString(),
+    startsAt: new Date(Date.now() + 30 * DAY),
+    ...event,
+  });
+  const { insertedId } = await db.collection('eventRegisters').insertOne({
+    eventId,
+    email: 'ana@example.com',
+    paymentStatus: 'paid',
+    transactionId: 'pi_ana',
+    amount: 40,
+    currency: 'usd',
+    connectedAccountId: 'acct_club',
+    platformFeePercent: 10,
+    registeredAt: new Date(),
+    ...registration,
+  });
+  return { clubId, eventId, registrationId: insertedId };
+};
+
+const cancelOwnRegistration = eventId =>
+  request('DELETE', `/events/${eventId}/registration`, { as: 'ana@example.com' });
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('cancelling refunds the event refund percentage, reverses the transfer and records a refund row', async () => {
+  const { eventId, registrationId } = await seedRegistration({ event: { refundPercentage: 50 } });
+
+  const res = await cancelOwnRegistration(eventId);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refundAmount, 20);
+
+  const [refund] = stripe.callsTo('refunds.create');
+  assert.equal(refund.params.payment_intent, 'pi_ana');
+  assert.equal(refund.params.amount, 2000);
+  assert.equal(refund.params.reverse_transfer, true);
+  assert.equal(refund.params.refund_application_fee, true);
+  assert.equal(refund.options.idempotencyKey, `event-refund-${registrationId}`);
+
+  const row = await db.collection('payments').findOne({ type: 'event_refund' });
+  assert.equal(row.amount, -20);
+  assert.equal(row.platformFee, -2);
+  assert.equal(row.refundPercentage, 50);
+
+  assert.equal(await db.collection('eventRegisters').countDocuments({ eventId }), 0);
+  const event = await db.collection('events').findOne({ _id: eventId });
+  assert.equal(event.attendees, 0);
+  assert.equal(event.seatsTaken, 0);
+});
+
+test('inside the refund window the registration is cancelled without a refund', async () => {
+  const { eventId } = await seedRegistration({
+    event: {
+      refundWindowHours: 48,
+      startsAt: new Date(Date.now() + DAY),
+      dateTime: new Date(Date.now() + DAY).toISOString(),
+    },
+  });
+
+  const res = await cancelOwnRegistration(eventId);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refundAmount, 0);
+  assert.equal(stripe.callsTo('refunds.create').length, 0);
+  assert.equal(await db.collection('payments').countDocuments({ type: 'event_refund' }), 0);
+  assert.equal(await db.collection('eventRegisters').countDocuments({ eventId }), 0);
+});
+
+test('a failed Stripe refund keeps the registration and the seat', async () => {
+  const { eventId } = await seedRegistration();
+  stripe.failNext('refunds.create');
+
+  const res = await cancelOwnRegistration(eventId);
+  assert.equal(res.status, 500);
+  assert.equal(await db.collection('eventRegisters').countDocuments({ eventId }), 1);
+  assert.equal((await db.collection('events').findOne({ _id: eventId })).attendees, 1);
+  assert.equal(await db.collection('payments').countDocuments({ type: 'event_refund' }), 0);
+});
+
+test('a refund from the Stripe dashboard frees the seat of the registration it paid for', async () => {
+  const { eventId } = await seedRegistration();
+  await db.collection('payments').insertOne({
+    type: 'event_registration',
+    transactionid: 'pi_ana',
+    amount: 40,
+    paymentstatus: 'paid',
+    eventId,
+  });
+
+  const res = await webhook('charge.refunded', { payment_intent: 'pi_ana', refunded: true, amount: 4000, amount_refunded: 4000 });
+  assert.equal(res.status, 200);
+
+  const registration = await db.collection('eventRegisters').findOne({ eventId });
+  assert.equal(registration.paymentStatus, 'refunded');
+  assert.equal(registration.refundedAmount, 40);
+  const payment = await db.collection('payments').findOne({ transactionid: 'pi_ana' });
+  assert.equal(payment.paymentstatus, 'refunded');
+  const event = await db.collection('events').findOne({ _id: eventId });
+  assert.equal(event.attendees, 0);
+  assert.equal(event.seatsTaken, 0);
+});
+
+test('a partial dashboard refund only updates the ledger', async () => {
+  const { eventId } = await seedRegistration();
+  await db.collection('payments').insertOne({ type: 'event_registration', transactionid: 'pi_ana', amount: 40, paymentstatus: 'paid' });
+
+  await webhook('charge.refunded', { payment_intent: 'pi_ana', refunded: false, amount: 4000, amount_refunded: 1000 });
+
+  const payment = await db.collection('payments').findOne({ transactionid: 'pi_ana' });
+  assert.equal(payment.paymentstatus, 'partially_refunded');
+  assert.equal(payment.refundedAmount, 10);
+  assert.equal((await db.collection('eventRegisters').findOne({ eventId })).paymentStatus, 'paid');
+});
+
+test('refunding a subscription payment ends the membership and cancels the subscription', async () => {
+  const clubId = new ObjectId();
+  await db.collection('clubs').insertOne({ _id: clubId, clubName: 'Chess Club', status: 'approved', membernumber: 2 });
+  stripe.save({ id: 'sub_ana', object: 'subscription', status: 'active' });
+  // subscription memberships are keyed by invoice and carry the PaymentIntent separately
+  await db.collection('clubMembers').insertOne({
+    clubId,
+    userEmail: 'ana@example.com',
+    paymentStatus: 'paid',
+    status: 'active',
+    role: 'member',
+    transactionId: 'in_ana',
+    paymentIntentId: 'pi_ana',
+    subscriptionId: 'sub_ana',
+  });
+  await db.collection('payments').insertOne({
+    type: 'club_membership',
+    userid: clubId.toString(),
+    transactionid: 'in_ana',
+    paymentIntentId: 'pi_ana',
+    subscriptionId: 'sub_ana',
+    amount: 30,
+    paymentstatus: 'paid',
+  });
+
+  const res = await webhook('charge.refunded', { payment_intent: 'pi_ana', refunded: true, amount: 3000, amount_refunded: 3000 });
+  assert.equal(res.status, 200);
+
+  const member = await db.collection('clubMembers').findOne({ clubId, userEmail: 'ana@example.com' });
+  assert.equal(member.paymentStatus, 'refunded');
+  assert.deepEqual(stripe.callsTo('subscriptions.cancel').map(call => call.params), ['sub_ana']);
+  const payment = await db.collection('payments').findOne({ transactionid: 'in_ana' });
+  assert.equal(payment.paymentstatus, 'refunded');
+  assert.equal(payment.refundedAmount, 30);
+});
+
+test('an event that has started or finished can no longer be cancelled', async () => {
+  for (const event of [
+    { status: 'ongoing', startsAt: new Date(Date.now() - 60 * 60 * 1000) },
+    { status: 'completed', startsAt: new Date(Date.now() - DAY) },
+    // the scheduler has not caught up yet
+    { status: 'upcoming', startsAt: new Date(Date.now() - 60 * 1000) },
+  ]) {
+    const { eventId } = await seedRegistration({ event });
+    const res = await cancelOwnRegistration(eventId);
+    assert.equal(res.status, 400);
+    assert.equal(await db.collection('eventRegisters').countDocuments({ eventId }), 1);
+  }
+  assert.equal(stripe.callsTo('refunds.create').length, 0);
+});
@@ -0,0 +1,622 @@
+// In-memory stand-in for the parts of the MongoDB driver the server uses: queries,
+// update operators (also pipeline updates), unique / partial indexes, simple aggregations.
+// Transactions run the callback once without isolation.
+const mongodb = require('mongodb');
+
+const { ObjectId } = mongodb;
+
+const isPlainObject = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof ObjectId);
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => item?.[key]).flat();
+    return value[key];
+  }, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+const equals = (a, b) => {
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => equals(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => equals(a[key], b[key]));
+  }
+  return (a ?? null) === (b ?? null);
+};
+
+// -1 / 0 / 1, missing and null sort lowest
+const compare = (a, b) => {
+  if (a === undefined || a === null) return b === undefined || b === null ? 0 : -1;
+  if (b === undefined || b === null) return 1;
+  if (a instanceof ObjectId) a = a.toHexString();
+  if (b instanceof ObjectId) b = b.toHexString();
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const bsonType = (value) => {
+  if (value === null) return 'null';
+  if (value instanceof ObjectId) return 'objectId';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'boolean') return 'bool';
+  return typeof value;
+};
+
+const matchesCondition = (value, condition) => {
+  const candidates = Array.isArray(value) ? [value, ...value] : [value];
+  if (!isPlainObject(condition) || !Object.keys(condition).some(key => key.startsWith('$'))) {
+    if (condition instanceof RegExp) return candidates.some(v => typeof v === 'string' && condition.test(v));
+    return candidates.some(v => equals(v, condition));
+  }
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$eq': return candidates.some(v => equals(v, arg));
+      case '$ne': return !candidates.some(v => equals(v, arg));
+      case '$gt': return candidates.some(v => v != null && compare(v, arg) > 0);
+      case '$gte': return candidates.some(v => v != null && compare(v, arg) >= 0);
+      case '$lt': return candidates.some(v => v != null && compare(v, arg) < 0);
+      case '$lte': return candidates.some(v => v != null && compare(v, arg) <= 0);
+      case '$in': return arg.some(item => candidates.some(v => equals(v, item)));
+      case '$nin': return !arg.some(item => candidates.some(v => equals(v, item)));
+      case '$exists': return (value !== undefined) === !!arg;
+      case '$type': return candidates.some(v => v !== undefined && bsonType(v) === arg);
+      case '$regex': return candidates.some(v => typeof v === 'string' && new RegExp(arg, condition.$options).test(v));
+      case '$options': return true;
+      case '$not': return !matchesCondition(value, arg);
+      case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, arg));
+      case '$size': return Array.isArray(value) && value.length === arg;
+      default: throw new Error(`fake-mongo: unsupported query operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, query = {}) =>
+  Object.entries(query).every(([key, condition]) => {
+    switch (key) {
+      case '$or': return condition.some(part => matches(doc, part));
+      case '$and': return condition.every(part => matches(doc, part));
+      case '$nor': return !condition.some(part => matches(doc, part));
+      case '$expr': return !!evaluate(condition, doc);
+      default: return matchesCondition(getPath(doc, key), condition);
+    }
+  });
+
+const toDouble = (value, onError, onNull) => {
+  if (value === undefined || value === null) return onNull;
+  const number = Number(value);
+  return Number.isNaN(number) ? onError : number;
+};
+
+// Aggregation expressions
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === 'string' && expr.startsWith('$$')) return vars[expr.slice(2)];
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(item => evaluate(item, doc, vars));
+  if (!isPlainObject(expr)) return expr;
+  const [op] = Object.keys(expr);
+  if (!op || !op.startsWith('$')) {
+    return Object.fromEntries(Object.entries(expr).map(([k, v]) => [k, evaluate(v, doc, vars)]));
+  }
+  const arg = expr[op];
+  const args = () => [].concat(arg).map(item => evaluate(item, doc, vars));
+  switch (op) {
+    case '$literal': return arg;
+    case '$ifNull': {
+      const values = args();
+      return values.slice(0, -1).find(v => v !== undefined && v !== null) ?? values[values.length - 1];
+    }
+    case '$convert': {
+      const input = evaluate(arg.input, doc, vars);
+      if (['double', 'int', 'long', 'decimal'].includes(arg.to)) return toDouble(input, arg.onError, arg.onNull);
+      throw new Error(`fake-mongo: unsupported $convert to ${arg.to}`);
+    }
+    case '$toInt': return Math.trunc(Number(evaluate(arg, doc, vars)));
+    case '$toLower': return String(evaluate(arg, doc, vars) ?? '').toLowerCase();
+    case '$cond': {
+      const [test, then, otherwise] = Array.isArray(arg) ? arg : [arg.if, arg.then, arg.else];
+      return evaluate(test, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    case '$switch': {
+      const branch = arg.branches.find(({ case: test }) => evaluate(test, doc, vars));
+      return evaluate(branch ? branch.then : arg.default, doc, vars);
+    }
+    case '$eq': { const [a, b] = args(); return equals(a, b); }
+    case '$ne': { const [a, b] = args(); return !equals(a, b); }
+    case '$gt': { const [a, b] = args(); return compare(a, b) > 0; }
+    case '$gte': { const [a, b] = args(); return compare(a, b) >= 0; }
+    case '$lt': { const [a, b] = args(); return compare(a, b) < 0; }
+    case '$lte': { const [a, b] = args(); return compare(a, b) <= 0; }
+    case '$and': return args().every(Boolean);
+    case '$or': return args().some(Boolean);
+    case '$not': return !args()[0];
+    case '$in': { const [value, list] = args(); return (list || []).some(item => equals(item, value)); }
+    case '$add': return args().reduce((sum, v) => (v instanceof Date ? new Date(v.getTime() + sum) : sum + (v || 0)), 0);
+    case '$subtract': { const [a, b] = args(); return (a || 0) - (b || 0); }
+    case '$multiply': return args().reduce((product, v) => product * (v || 0), 1);
+    case '$divide': { const [a, b] = args(); return a / b; }
+    case '$max': return args().reduce((max, v) => (compare(v, max) > 0 ? v : max));
+    case '$min': return args().reduce((min, v) => (compare(v, min) < 0 ? v : min));
+    case '$size': return (evaluate(arg, doc, vars) || []).length;
+    case '$first': { const list = evaluate(arg, doc, vars); return Array.isArray(list) ? list[0] : list; }
+    default: throw new Error(`fake-mongo: unsupported expression ${op}`);
+  }
+};
+
+const project = (doc, projection) => {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const entries = Object.entries(projection);
+  const inclusive = entries.some(([key, value]) => key !== '_id' && value);
+  if (!inclusive) {
+    const result = clone(doc);
+    for (const [key, value] of entries) if (!value) unsetPath(result, key);
+    return result;
+  }
+  const result = projection._id === 0 ? {} : { _id: doc._id };
+  for (const [key, value] of entries) {
+    if (key === '_id' || !value) continue;
+    const picked = value === 1 || value === true ? getPath(doc, key) : evaluate(value, doc);
+    if (picked !== undefined) setPath(result, key, clone(picked));
+  }
+  return result;
+};
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort || {});
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compare(getPath(a, key), getPath(b, key));
+      if (order) return order * direction;
+    }
+    return 0;
+  });
+};
+
+const applyUpdate = (doc, update, { isInsert = false } = {}) => {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      const [name] = Object.keys(stage);
+      if (name === '$set' || name === '$addFields') {
+        const values = Object.entries(stage[name]).map(([key, expr]) => [key, evaluate(expr, doc)]);
+        for (const [key, value] of values) setPath(doc, key, value);
+      } else if (name === '$unset') {
+        for (const key of [].concat(stage.$unset)) unsetPath(doc, key);
+      } else {
+        throw new Error(`fake-mongo: unsupported update stage ${name}`);
+      }
+    }
+    return;
+  }
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set': setPath(doc, key, clone(value)); break;
+        case '$setOnInsert': if (isInsert) setPath(doc, key, clone(value)); break;
+        case '$unset': unsetPath(doc, key); break;
+        case '$inc': setPath(doc, key, (getPath(doc, key) || 0) + value); break;
+        case '$max': if (compare(value, getPath(doc, key)) > 0) setPath(doc, key, clone(value)); break;
+        case '$min': {
+          const current = getPath(doc, key);
+          if (current === undefined || compare(value, current) < 0) setPath(doc, key, clone(value));
+          break;
+        }
+        case '$push': {
+          const list = getPath(doc, key) || [];
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          setPath(doc, key, [...list, ...items.map(clone)]);
+          break;
+        }
+        case '$addToSet': {
+          const list = [...(getPath(doc, key) || [])];
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          for (const item of items) if (!list.some(existing => equals(existing, item))) list.push(clone(item));
+          setPath(doc, key, list);
+          break;
+        }
+        case '$pull': {
+          const list = getPath(doc, key) || [];
+          setPath(doc, key, list.filter(item => !(isPlainObject(value) ? matches(item, value) : equals(item, value))));
+          break;
+        }
+        default: throw new Error(`fake-mongo: unsupported update operator ${op}`);
+      }
+    }
+  }
+};
+
+// Equality parts of a filter, used as the base of an upserted document
+const upsertBase = (filter) => {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and') {
+      for (const part of value) Object.assign(doc, upsertBase(part));
+    } else if (!key.startsWith('$')) {
+      if (!isPlainObject(value) || !Object.keys(value).some(k => k.startsWith('$'))) setPath(doc, key, clone(value));
+      else if ('$eq' in value) setPath(doc, key, clone(value.$eq));
+    }
+  }
+  return doc;
+};
+
+const duplicateKeyError = (collection, index) =>
+  Object.assign(new Error(`E11000 duplicate key error collection: ${collection} index: ${index.name}`), {
+    code: 11000,
+    name: 'MongoServerError',
+  });
+
+// Every operation waits a turn of the event loop, like a round trip to the server would,
+// so concurrent requests interleave between reads and writes
+const roundTrip = () => new Promise(resolve => setImmediate(resolve));
+
+const ASYNC_METHODS = [
+  'findOne', 'countDocuments', 'distinct', 'insertOne', 'insertMany', 'updateOne', 'updateMany',
+  'findOneAndUpdate', 'findOneAndDelete', 'deleteOne', 'deleteMany', 'bulkWrite', 'createIndex',
+];
+
+class FakeCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  sort(sort) { this.options.sort = sort; return this; }
+  skip(skip) { this.options.skip = skip; return this; }
+  limit(limit) { this.options.limit = limit; return this; }
+  project(projection) { this.options.projection = projection; return this; }
+
+  async toArray() {
+    await roundTrip();
+    let docs = await this.load();
+    if (this.options.sort) docs = sortDocs(docs, this.options.sort);
+    if (this.options.skip) docs = docs.slice(this.options.skip);
+    if (this.options.limit) docs = docs.slice(0, this.options.limit);
+    return docs.map(doc => clone(project(doc, this.options.projection)));
+  }
+
+  async forEach(callback) {
+    for (const doc of await this.toArray()) await callback(doc);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class FakeCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = [];
+    for (const method of ASYNC_METHODS) {
+      const run = this[method].bind(this);
+      this[method] = async (...args) => {
+        await roundTrip();
+        return run(...args);
+      };
+    }
+  }
+
+  async createIndex(keys, options = {}) {
+    const name = options.name || Object.entries(keys).map(([k, v]) => `${k}_${v}`).join('_');
+    if (!this.indexes.some(index => index.name === name)) {
+      this.indexes.push({ name, keys: Object.keys(keys), ...options });
+    }
+    return name;
+  }
+
+  checkUnique(doc, ignore) {
+    for (const index of this.indexes) {
+      if (!index.unique) continue;
+      if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) continue;
+      const clash = this.docs.some(other =>
+        other !== ignore &&
+        (!index.partialFilterExpression || matches(other, index.partialFilterExpression)) &&
+        index.keys.every(key => equals(getPath(other, key), getPath(doc, key)))
+      );
+      if (clash) throw duplicateKeyError(this.collectionName, index);
+    }
+  }
+
+  insert(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (this.docs.some(other => equals(other._id, doc._id))) {
+      throw duplicateKeyError(this.collectionName, { name: '_id_' });
+    }
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return stored;
+  }
+
+  // runs `update` on a copy and only keeps it when the unique indexes allow it
+  modify(doc, update, options) {
+    const next = clone(doc);
+    applyUpdate(next, update, options);
+    const changed = !equals(next, doc);
+    if (changed) {
+      this.checkUnique(next, doc);
+      this.docs[this.docs.indexOf(doc)] = next;
+    }
+    return { next, changed };
+  }
+
+  upsert(filter, update) {
+    const doc = upsertBase(filter);
+    applyUpdate(doc, update, { isInsert: true });
+    return this.insert(doc);
+  }
+
+  filtered(filter = {}, sort) {
+    const docs = this.docs.filter(doc => matches(doc, filter));
+    return sort ? sortDocs(docs, sort) : docs;
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new FakeCursor(async () => this.filtered(filter));
+    if (options.projection) cursor.project(options.projection);
+    if (options.sort) cursor.sort(options.sort);
+    if (options.limit) cursor.limit(options.limit);
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = this.filtered(filter, options.sort);
+    return doc ? clone(project(doc, options.projection)) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.filtered(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    for (const doc of this.filtered(filter)) {
+      for (const value of [].concat(getPath(doc, field) ?? [])) {
+        if (!values.some(existing => equals(existing, value))) values.push(clone(value));
+      }
+    }
+    return values;
+  }
+
+  async insertOne(doc) {
+    const stored = this.insert(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    docs.forEach((doc, i) => { insertedIds[i] = this.insert(doc)._id; });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.filtered(filter, options.sort);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+      const stored = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: stored._id };
+    }
+    const { changed } = this.modify(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: changed ? 1 : 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.filtered(filter);
+    if (!docs.length && options.upsert) return this.updateOne(filter, update, options);
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      if (this.modify(doc, update).changed) modifiedCount++;
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = this.filtered(filter, options.sort);
+    let before = null;
+    let after;
+    if (doc) {
+      before = clone(doc);
+      after = this.modify(doc, update).next;
+    } else if (options.upsert) {
+      after = this.upsert(filter, update);
+    } else {
+      return null;
+    }
+    const result = options.returnDocument === 'after' ? after : before;
+    return result ? clone(project(result, options.projection)) : null;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = this.filtered(filter, options.sort);
+    if (!doc) return null;
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.filtered(filter);
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  async bulkWrite(operations) {
+    for (const operation of operations) {
+      const [name] = Object.keys(operation);
+      const spec = operation[name];
+      switch (name) {
+        case 'insertOne': await this.insertOne(spec.document); break;
+        case 'updateOne': await this.updateOne(spec.filter, spec.update, spec); break;
+        case 'updateMany': await this.updateMany(spec.filter, spec.update, spec); break;
+        case 'deleteOne': await this.deleteOne(spec.filter); break;
+        case 'deleteMany': await this.deleteMany(spec.filter); break;
+        default: throw new Error(`fake-mongo: unsupported bulkWrite operation ${name}`);
+      }
+    }
+    return { acknowledged: true };
+  }
+
+  aggregate(pipeline = []) {
+    return new FakeCursor(async () => runPipeline(this.db, clone(this.docs), pipeline));
+  }
+}
+
+const accumulate = (op, arg, docs) => {
+  const values = docs.map(doc => evaluate(arg, doc));
+  switch (op) {
+    case '$sum': return values.reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0);
+    case '$first': return values[0];
+    case '$last': return values[values.length - 1];
+    case '$push': return values;
+    case '$addToSet': return values.filter((v, i) => values.findIndex(other => equals(other, v)) === i);
+    case '$max': return values.reduce((max, v) => (compare(v, max) > 0 ? v : max), undefined);
+    case '$min': return values.reduce((min, v) => (min === undefined || compare(v, min) < 0 ? v : min), undefined);
+    default: throw new Error(`fake-mongo: unsupported accumulator ${op}`);
+  }
+};
+
+const runPipeline = (db, docs, pipeline) => {
+  for (const stage of pipeline) {
+    const [name] = Object.keys(stage);
+    const arg = stage[name];
+    switch (name) {
+      case '$match': docs = docs.filter(doc => matches(doc, arg)); break;
+      case '$sort': docs = sortDocs(docs, arg); break;
+      case '$skip': docs = docs.slice(arg); break;
+      case '$limit': docs = docs.slice(0, arg); break;
+      case '$project': docs = docs.map(doc => project(doc, arg)); break;
+      case '$set':
+      case '$addFields':
+        docs.forEach(doc => applyUpdate(doc, [{ $set: arg }]));
+        break;
+      case '$unset': docs.forEach(doc => applyUpdate(doc, [{ $unset: arg }])); break;
+      case '$count': docs = [{ [arg]: docs.length }]; break;
+      case '$group': {
+        const groups = new Map();
+        for (const doc of docs) {
+          const id = evaluate(arg._id, doc);
+          const key = JSON.stringify(id);
+          if (!groups.has(key)) groups.set(key, { _id: id, docs: [] });
+          groups.get(key).docs.push(doc);
+        }
+        docs = [...groups.values()].map(({ _id, docs: members }) => {
+          const row = { _id };
+          for (const [field, spec] of Object.entries(arg)) {
+            if (field === '_id') continue;
+            const [op] = Object.keys(spec);
+            row[field] = accumulate(op, spec[op], members);
+          }
+          return row;
+        });
+        break;
+      }
+      case '$facet':
+        docs = [Object.fromEntries(Object.entries(arg).map(([key, sub]) => [key, runPipeline(db, clone(docs), sub)]))];
+        break;
+      case '$lookup': {
+        const foreign = db.collection(arg.from).docs;
+        docs.forEach(doc => {
+          let joined = arg.localField
+            ? foreign.filter(other => matchesCondition(getPath(other, arg.foreignField), getPath(doc, arg.localField)))
+            : foreign;
+          if (arg.pipeline) joined = runPipeline(db, clone(joined), arg.pipeline);
+          doc[arg.as] = clone(joined);
+        });
+        break;
+      }
+      case '$unionWith': {
+        const source = typeof arg === 'string' ? arg : arg.coll;
+        const extra = runPipeline(db, clone(db.collection(source).docs), arg.pipeline || []);
+        docs = [...docs, ...extra];
+        break;
+      }
+      default: throw new Error(`fake-mongo: unsupported aggregation stage ${name}`);
+    }
+  }
+  return docs;
+};
+
+class FakeDb {
+  constructor(name) {
+    this.databaseName = name;
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  // empties every collection, indexes stay
+  reset() {
+    for (const collection of this.collections.values()) collection.docs = [];
+  }
+}
+
+class FakeMongoClient {
+  constructor() {
+    this.dbs = new Map();
+    FakeMongoClient.instances.push(this);
+  }
+
+  async connect() {
+    return this;
+  }
+
+  db(name = 'test') {
+    if (!this.dbs.has(name)) this.dbs.set(name, new FakeDb(name));
+    return this.dbs.get(name);
+  }
+
+  startSession() {
+    return {
+      withTransaction: async (callback) => callback(),
+      endSession: async () => {},
+    };
+  }
+
+  async close() {}
+}
+FakeMongoClient.instances = [];
+
+module.exports = { ...mongodb, MongoClient: FakeMongoClient, FakeMongoClient };
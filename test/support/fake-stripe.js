@@ -0,0 +1,132 @@
+// Stand-in for the Stripe SDK: records every call, keeps created objects so they can be
+// retrieved, and honours idempotency keys the way Stripe does (same key, same object).
+const calls = [];
+const objects = new Map();
+const idempotent = new Map();
+const counters = {};
+const failures = new Map();
+
+const nextId = (prefix) => {
+  counters[prefix] = (counters[prefix] || 0) + 1;
+  return `${prefix}_test_${counters[prefix]}`;
+};
+
+const record = (method, handler) => async (params, options = {}) => {
+  calls.push({ method, params, options });
+  const failure = failures.get(method);
+  if (failure) {
+    failures.delete(method);
+    throw failure;
+  }
+  if (options.idempotencyKey && idempotent.has(`${method}:${options.idempotencyKey}`)) {
+    return idempotent.get(`${method}:${options.idempotencyKey}`);
+  }
+  const result = await handler(params, options);
+  if (options.idempotencyKey) idempotent.set(`${method}:${options.idempotencyKey}`, result);
+  return result;
+};
+
+const stored = (id) => {
+  if (!objects.has(id)) {
+    throw Object.assign(new Error(`No such object: ${id}`), { type: 'StripeInvalidRequestError', code: 'resource_missing' });
+  }
+  return objects.get(id);
+};
+
+const save = (object) => {
+  objects.set(object.id, object);
+  return object;
+};
+
+const stripe = {
+  checkout: {
+    sessions: {
+      create: record('checkout.sessions.create', (params) => {
+        const amountTotal = params.line_items.reduce(
+          (sum, item) => sum + item.price_data.unit_amount * (item.quantity || 1), 0
+        );
+        const id = nextId('cs');
+        return save({
+          id,
+          object: 'checkout.session',
+          url: `https://checkout.stripe.test/${id}`,
+          mode: params.mode,
+          status: 'open',
+          payment_status: 'unpaid',
+          amount_total: amountTotal,
+          currency: params.line_items[0].price_data.currency,
+          customer_email: params.customer_email,
+          metadata: { ...params.metadata },
+          expires_at: params.expires_at,
+          payment_intent: null,
+        });
+      }),
+      retrieve: record('checkout.sessions.retrieve', id => stored(id)),
+      expire: record('checkout.sessions.expire', (id) => {
+        const session = stored(id);
+        if (session.status !== 'open') throw new Error(`Session ${id} is ${session.status}`);
+        session.status = 'expired';
+        return session;
+      }),
+    },
+  },
+  refunds: {
+    create: record('refunds.create', params => save({
+      id: nextId('re'),
+      object: 'refund',
+      status: 'succeeded',
+      ...params,
+    })),
+  },
+  subscriptions: {
+    retrieve: record('subscriptions.retrieve', id => stored(id)),
+    cancel: record('subscriptions.cancel', (id) => {
+      const subscription = stored(id);
+      subscription.status = 'canceled';
+      return subscription;
+    }),
+  },
+  invoices: {
+    retrieve: record('invoices.retrieve', id => stored(id)),
+  },
+  coupons: {
+    create: record('coupons.create', params => save({ id: nextId('coupon'), object: 'coupon', ...params })),
+  },
+  webhooks: {
+    // tests sign with `fake:<secret>`
+    constructEvent(payload, signature, secret) {
+      if (signature !== `fake:${secret}`) throw new Error('No signatures found matching the expected signature');
+      return JSON.parse(payload.toString('utf8'));
+    },
+  },
+};
+
+const helpers = {
+  calls,
+  callsTo: method => calls.filter(call => call.method === method),
+  // a paid session as Stripe sends it with checkout.session.completed
+  pay(sessionId, fields = {}) {
+    const session = stored(sessionId);
+    Object.assign(session, {
+      status: 'complete',
+      payment_status: 'paid',
+      payment_intent: session.payment_intent || nextId('pi'),
+      ...fields,
+    });
+    return session;
+  },
+  save,
+  get: id => objects.get(id),
+  // the next call to `method` throws `error`
+  failNext(method, error = new Error(`${method} failed`)) {
+    failures.set(method, error);
+  },
+  reset() {
+    calls.length = 0;
+    objects.clear();
+    idempotent.clear();
+    failures.clear();
+  },
+};
+
+module.exports = Object.assign(() => stripe, { stripe, ...helpers });
@@ -0,0 +1,100 @@
+// Loads index.js against fake MongoDB / Stripe / Firebase and serves it on a free port.
+// Firebase tokens are the user's email: `Authorization: Bearer ana@example.com`.
+const Module = require('module');
+const path = require('path');
+const fakeMongo = require('./fake-mongo');
+const fakeStripe = require('./fake-stripe');
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+const fakeFirebase = {
+  initializeApp() {},
+  credential: { cert: () => ({}) },
+  auth: () => ({
+    verifyIdToken: async (token) => {
+      if (!token || !token.includes('@')) throw new Error('Invalid token');
+      return { email: token };
+    },
+  }),
+};
+
+const fakes = { mongodb: fakeMongo, stripe: fakeStripe, 'firebase-admin': fakeFirebase };
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  return Object.hasOwn(fakes, request) ? fakes[request] : load.call(this, request, ...rest);
+};
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  FB_SERVICE_KEY: Buffer.from('{}').toString('base64'),
+  TICKET_SECRET: 'ticket-secret',
+  STRIPE_SECREATE: 'sk_test_fake',
+  STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  MAIL_TRANSPORT: 'memory',
+  SITE_DOMAIN: 'http://localhost:5173',
+  PLATFORM_FEE_PERCENT: '10',
+});
+delete process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
+
+// the server logs every request it handles; tests only care about failures
+for (const method of ['log', 'info']) console[method] = () => {};
+
+const app = require(path.join(__dirname, '..', '..', 'index.js'));
+const [client] = fakeMongo.FakeMongoClient.instances;
+const db = client.db('slubsphere');
+
+let server;
+let baseUrl;
+
+const start = () =>
+  new Promise((resolve) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+
+const stop = () =>
+  new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+const reset = () => {
+  db.reset();
+  fakeStripe.reset();
+};
+
+// JSON request as `as` (an email) or anonymous
+const request = async (method, url, { as, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'content-type': 'application/json' }),
+      ...(as && { authorization: `Bearer ${as}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  let data = text;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // not JSON
+  }
+  return { status: response.status, body: data };
+};
+
+let eventCount = 0;
+// Delivers a signed Stripe event to the webhook route
+const webhook = (type, object, id = `evt_test_${++eventCount}`) =>
+  request('POST', '/stripe/webhook', {
+    body: { id, type, data: { object } },
+    headers: { 'stripe-signature': `fake:${WEBHOOK_SECRET}` },
+  });
+
+// Background work (promotion, mail) is started without being awaited; give it a turn
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+module.exports = { app, db, stripe: fakeStripe, start, stop, reset, request, webhook, settle };
@@ -0,0 +1,60 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { db, start, stop, reset, request } = require('./support/server');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const seedFullFreeEvent = async () => {
+  const clubId = new ObjectId();
+  await db.collection('clubs').insertOne({ _id: clubId, clubName: 'Chess Club', status: 'approved' });
+  const eventId = new ObjectId();
+  await db.collection('events').insertOne({
+    _id: eventId,
+    clubId,
+    clubName: 'Chess Club',
+    title: 'Spring Open',
+    status: 'upcoming',
+    eventType: 'free',
+    maxAttendees: 1,
+    attendees: 1,
+    seatsTaken: 1,
+    dateTime: new Date(Date.now() + 30 * DAY).toISOString(),
+    startsAt: new Date(Date.now() + 30 * DAY),
+  });
+  await db.collection('eventRegisters').insertOne({
+    eventId,
+    email: 'ana@example.com',
+    paymentStatus: 'free',
+    registeredAt: new Date(),
+  });
+  return eventId;
+};
+
+before(start);
+after(stop);
+beforeEach(reset);
+
+test('a cancelled free seat goes to the first person waiting, with a ticket', async () => {
+  const eventId = await seedFullFreeEvent();
+
+  const joined = await request('POST', `/events/${eventId}/waitlist`, { as: 'bob@example.com' });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.position, 1);
+
+  const cancelled = await request('DELETE', `/events/${eventId}/registration`, { as: 'ana@example.com' });
+  assert.equal(cancelled.status, 200);
+
+  const registration = await db.collection('eventRegisters').findOne({ eventId, email: 'bob@example.com' });
+  assert.equal(registration.fromWaitlist, true);
+  assert.equal(registration.paymentStatus, 'free');
+  assert.ok(registration.ticketCode);
+  assert.equal((await db.collection('eventWaitlist').findOne({ eventId })).status, 'registered');
+
+  const event = await db.collection('events').findOne({ _id: eventId });
+  assert.equal(event.attendees, 1);
+  assert.equal(event.seatsTaken, 1);
+
+  const notice = await db.collection('notifications').findOne({ email: 'bob@example.com', type: 'event_registered' });
+  assert.match(notice.message, /A seat opened up/);
+});